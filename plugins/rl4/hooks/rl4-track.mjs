@@ -0,0 +1,367 @@
+#!/usr/bin/env node
+/**
+ * RL4 PostToolUse hook — captures file modifications into .rl4/evidence/activity.jsonl
+ * Same format as the Cursor/VS Code IDE extension FS watcher.
+ *
+ * Node-native replacement for rl4-track.sh: no jq / shasum / gzip / python3 required.
+ * Capture goes through mcp-server/capture.js, which writes every shared file via the MCP
+ * server's fs_lock.js (same lock convention as the MCP daemon and the IDE extension),
+ * so concurrent writers never interleave or clobber.
+ *
+ * Tools handled:
+ *   - Edit, MultiEdit, Write, NotebookEdit → "save" event + ContentStore blob + file_index.json
+ *   - Bash → file ops inferred from rm / mv / cp (and git rm / git mv):
+ *       cp → "create", mv → "rename" (with from_path), rm → "delete"
+ *
+ * Stdin: JSON with tool_name, tool_input, tool_response, cwd, session_id
+ * Stdout: nothing (hook is passive — never blocks)
+ * Exit 0 always (never interfere with Claude Code flow)
+ */
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { pathToFileURL } from "url";
+
+const CAPTURE_URL = new URL("../mcp-server/capture.js", import.meta.url);
+
+function readStdin() {
+  try {
+    return fs.readFileSync(0, "utf-8");
+  } catch {
+    return "";
+  }
+}
+
+// ── Bash file-op inference ──────────────────────────────────────────────────
+
+/**
+ * Split a shell command line into simple commands (argv arrays).
+ * Handles quotes, backslash escapes, ; && || | & separators, newlines and subshell parens.
+ * Not a full shell parser — enough to resolve the operands of rm / mv / cp.
+ */
+export function splitShellCommands(command) {
+  const commands = [];
+  let argv = [];
+  let word = "";
+  let inWord = false;
+  let quote = null;
+  const endWord = () => {
+    if (inWord) argv.push(word);
+    word = "";
+    inWord = false;
+  };
+  const endCommand = () => {
+    endWord();
+    if (argv.length > 0) commands.push(argv);
+    argv = [];
+  };
+  for (let i = 0; i < command.length; i++) {
+    const ch = command[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+      else if (ch === "\\" && quote === '"' && i + 1 < command.length) word += command[++i];
+      else word += ch;
+      continue;
+    }
+    if (ch === "'" || ch === '"') {
+      quote = ch;
+      inWord = true;
+    } else if (ch === "\\" && i + 1 < command.length) {
+      word += command[++i];
+      inWord = true;
+    } else if (ch === "&" && (command[i - 1] === ">" || command[i + 1] === ">")) {
+      word += ch; // 2>&1, &> file — part of a redirection, not a separator
+      inWord = true;
+    } else if (ch === ";" || ch === "&" || ch === "|" || ch === "\n" || ch === "(" || ch === ")") {
+      endCommand();
+    } else if (ch === " " || ch === "\t") {
+      endWord();
+    } else {
+      word += ch;
+      inWord = true;
+    }
+  }
+  endCommand();
+  return commands;
+}
+
+/** Drop redirections (> f, 2>>f, &>f, < f) from argv — their targets are not file-op operands. */
+function stripRedirections(argv) {
+  const out = [];
+  for (let i = 0; i < argv.length; i++) {
+    const m = argv[i].match(/^(\d*>>?|&>>?|<)(.*)$/);
+    if (m) {
+      if (!m[2]) i++; // operator alone → its target is the next word
+      continue;
+    }
+    out.push(argv[i]);
+  }
+  return out;
+}
+
+/** Operands of a command: everything that is not an option (respects "--"). */
+function operandsOf(args) {
+  const out = [];
+  let optionsDone = false;
+  for (const a of args) {
+    if (!optionsDone && a === "--") {
+      optionsDone = true;
+      continue;
+    }
+    if (!optionsDone && a.startsWith("-") && a !== "-") continue;
+    out.push(a);
+  }
+  return out;
+}
+
+/**
+ * Sources and destination of mv / cp. The target directory comes from -t DIR
+ * (also -tDIR, --target-directory=DIR) or, by default, from the last operand;
+ * -T forces the last operand to be the destination itself. Option values (-t, -S) are
+ * never read as sources.
+ */
+function mvCpOperands(args) {
+  const operands = [];
+  let targetDir = null;
+  let noTargetDir = false;
+  let optionsDone = false;
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (optionsDone || a === "-" || !a.startsWith("-")) {
+      operands.push(a);
+    } else if (a === "--") {
+      optionsDone = true;
+    } else if (a.startsWith("--")) {
+      const [name, value] = a.split(/=(.*)/s);
+      if (name === "--target-directory") targetDir = value !== undefined ? value : args[++i];
+      else if (name === "--no-target-directory") noTargetDir = true;
+      else if (name === "--suffix" && value === undefined) i++;
+    } else {
+      // Short option cluster (-rf, -vt DIR, -tDIR): t and S take a value
+      for (let j = 1; j < a.length; j++) {
+        const flag = a[j];
+        if (flag === "T") noTargetDir = true;
+        if (flag !== "t" && flag !== "S") continue;
+        const value = j + 1 < a.length ? a.slice(j + 1) : args[++i];
+        if (flag === "t") targetDir = value;
+        break;
+      }
+    }
+  }
+  if (targetDir !== null) return { sources: operands, dest: targetDir, intoDir: true };
+  return { sources: operands.slice(0, -1), dest: operands[operands.length - 1], intoDir: noTargetDir ? false : null };
+}
+
+function expandPath(arg, cwd) {
+  // Globs, variables and command substitutions can't be resolved after the fact
+  if (/[*?[$`{]/.test(arg)) return null;
+  if (arg === "~" || arg.startsWith("~/")) arg = path.join(os.homedir(), arg.slice(1));
+  return path.resolve(cwd, arg);
+}
+
+/**
+ * Infer create / rename / delete events from a Bash command that already ran (PostToolUse):
+ * the filesystem is inspected afterwards, so only operations that actually happened are reported.
+ */
+export function inferBashFileOps(capture, command, cwd, root, knownPaths) {
+  const ops = [];
+  const deleted = new Set(); // `rm -rf dir; rm -f dir/file` → one delete per file
+  let dir = cwd;
+  for (const rawArgv of splitShellCommands(command)) {
+    let argv = stripRedirections(rawArgv);
+    // Skip env assignments and wrappers that don't change the operation
+    while (argv.length > 0 && (/^\w+=/.test(argv[0]) || argv[0] === "sudo" || argv[0] === "command")) argv = argv.slice(1);
+    if (argv.length === 0) continue;
+    let cmd = path.basename(argv[0]);
+    let args = argv.slice(1);
+    if (cmd === "git" && (args[0] === "mv" || args[0] === "rm")) {
+      cmd = args[0];
+      args = args.slice(1);
+    }
+    if (cmd === "cd") {
+      const target = args[0] ? expandPath(args[0], dir) : os.homedir();
+      if (target) dir = target;
+      continue;
+    }
+    if (cmd !== "rm" && cmd !== "mv" && cmd !== "cp") continue;
+    if (cmd === "rm") {
+      const operands = operandsOf(args).map((a) => expandPath(a, dir));
+      if (operands.length === 0 || operands.some((p) => p === null)) continue;
+      for (const abs of operands) {
+        if (fs.existsSync(abs)) continue; // rm failed or was refused
+        const rel = capture.toRelPath(root, abs);
+        if (!rel) continue;
+        // Directories (rm -r) → every tracked file underneath
+        for (const known of knownPaths) {
+          if (known !== rel && !known.startsWith(`${rel}/`)) continue;
+          if (deleted.has(known)) continue;
+          deleted.add(known);
+          ops.push({ kind: "delete", relPath: known });
+        }
+      }
+      continue;
+    }
+    const parsed = mvCpOperands(args);
+    if (parsed.sources.length === 0 || parsed.dest === undefined) continue;
+    const sources = parsed.sources.map((a) => expandPath(a, dir));
+    const dest = expandPath(parsed.dest, dir);
+    if (dest === null || sources.some((p) => p === null)) continue;
+    // Into-directory form: -t DIR, or several sources. With a single source the command
+    // already ran, so `dest` being a directory is ambiguous (mv a dir → renamed to dest, or
+    // moved into a pre-existing dest): the nested path only wins when it actually exists.
+    const intoDir = parsed.intoDir !== null ? parsed.intoDir : sources.length > 1;
+    for (const src of sources) {
+      if (cmd === "mv" && fs.existsSync(src)) continue; // mv failed — source still there
+      const nested = path.join(dest, path.basename(src));
+      const target = intoDir || (parsed.intoDir === null && fs.existsSync(nested)) ? nested : dest;
+      const srcRel = capture.toRelPath(root, src);
+      const targetRel = capture.toRelPath(root, target);
+      if (!targetRel || !fs.existsSync(target)) continue; // cp failed, or outside the workspace
+      if (fs.statSync(target).isDirectory()) {
+        // Directory moved/copied → map every tracked file under the source prefix
+        if (!srcRel) continue;
+        for (const known of knownPaths) {
+          if (!known.startsWith(`${srcRel}/`)) continue;
+          const movedRel = `${targetRel}${known.slice(srcRel.length)}`;
+          if (!fs.existsSync(path.join(root, movedRel))) continue;
+          ops.push(cmd === "mv"
+            ? { kind: "rename", relPath: movedRel, fromPath: known }
+            : { kind: "create", relPath: movedRel });
+        }
+        continue;
+      }
+      ops.push(cmd === "mv" && srcRel
+        ? { kind: "rename", relPath: targetRel, fromPath: srcRel }
+        : { kind: "create", relPath: targetRel });
+    }
+  }
+  return ops;
+}
+
+// ── Edit-family tools ───────────────────────────────────────────────────────
+
+/** File path + line delta for Edit / MultiEdit / Write / NotebookEdit, or null. */
+function describeEdit(capture, toolName, toolInput, absPath) {
+  switch (toolName) {
+    case "Edit":
+      return {
+        linesAdded: capture.countLines(toolInput.new_string),
+        linesRemoved: capture.countLines(toolInput.old_string),
+      };
+    case "MultiEdit": {
+      let linesAdded = 0;
+      let linesRemoved = 0;
+      for (const e of Array.isArray(toolInput.edits) ? toolInput.edits : []) {
+        linesAdded += capture.countLines(e && e.new_string);
+        linesRemoved += capture.countLines(e && e.old_string);
+      }
+      return { linesAdded, linesRemoved };
+    }
+    case "Write": {
+      // Count lines in the actual file (avoids trusting huge content from stdin)
+      let linesAdded = 0;
+      try {
+        linesAdded = capture.countLines(fs.readFileSync(absPath, "utf-8"));
+      } catch { /* unreadable — keep 0 */ }
+      return { linesAdded, linesRemoved: 0 };
+    }
+    case "NotebookEdit":
+      return toolInput.edit_mode === "delete"
+        ? { linesAdded: 0, linesRemoved: capture.countLines(toolInput.new_source) }
+        : { linesAdded: capture.countLines(toolInput.new_source), linesRemoved: 0 };
+    default:
+      return null;
+  }
+}
+
+// ── Main ────────────────────────────────────────────────────────────────────
+
+async function main() {
+  const raw = readStdin();
+  if (!raw.trim()) return;
+  const input = JSON.parse(raw);
+  const toolName = input.tool_name || "";
+  const toolInput = input.tool_input || {};
+  const cwd = input.cwd || process.cwd();
+  if (!["Edit", "MultiEdit", "Write", "NotebookEdit", "Bash"].includes(toolName)) return;
+
+  let capture;
+  try {
+    capture = await import(CAPTURE_URL.href);
+  } catch (e) {
+    // MCP server dependencies not installed yet — launch.js installs them on first server start
+    process.stderr.write(`[RL4 track] capture unavailable, skipping: ${e && e.message}\n`);
+    return;
+  }
+
+  const root = capture.findWorkspaceRoot(cwd);
+  const timestamp = new Date().toISOString();
+  const sessionId = String(input.session_id || "").slice(0, 12);
+  const burstId = `burst-cli-${sessionId || "unknown"}`;
+  const stamp = (entry) => ({
+    t: timestamp,
+    ...entry,
+    burst_id: burstId,
+    persisted_at: timestamp,
+    source: "claude-code",
+  });
+
+  if (toolName === "Bash") {
+    const command = typeof toolInput.command === "string" ? toolInput.command : "";
+    if (!/\b(rm|mv|cp)\b/.test(command)) return;
+    const inferred = inferBashFileOps(capture, command, cwd, root, Object.keys(capture.readFileIndex(root)));
+    // file_index.json never forgets a path: a file removed by an earlier command is still
+    // "known" and missing, so only report deletes the activity log doesn't already have
+    const gone = capture.goneInActivity(root, inferred.filter((op) => op.kind === "delete").map((op) => op.relPath));
+    const ops = inferred.filter((op) => op.kind !== "delete" || !gone.has(op.relPath));
+    // One lock for file_index.json and one for activity.jsonl, however many files the command
+    // touched — per-file locking could outlast the hook timeout and leave a stale .lock behind
+    const copied = ops.filter((op) => op.kind !== "delete");
+    const checksums = await capture.captureFiles(root, copied.map((op) => ({ relPath: op.relPath, absPath: path.join(root, op.relPath) })));
+    const sha256Of = new Map(copied.map((op, i) => [op, checksums[i] || ""]));
+    await capture.appendActivities(root, ops.map((op) => stamp({
+      kind: op.kind,
+      path: op.relPath,
+      ...(op.fromPath ? { from_path: op.fromPath } : {}),
+      sha256: op.kind === "delete" ? "" : sha256Of.get(op),
+      linesAdded: 0,
+      linesRemoved: 0,
+    })));
+    return;
+  }
+
+  const rawPath = toolInput.file_path || toolInput.notebook_path;
+  if (!rawPath) return;
+  const absPath = path.resolve(cwd, rawPath);
+  // File must exist (Write creates, Edit modifies — both should exist after PostToolUse)
+  if (!fs.existsSync(absPath) || !fs.statSync(absPath).isFile()) return;
+  const relPath = capture.toRelPath(root, absPath);
+  if (!relPath) return;
+  const delta = describeEdit(capture, toolName, toolInput, absPath);
+  if (!delta) return;
+  const sha256 = await capture.captureFile(root, relPath, absPath) || "";
+  await capture.appendActivity(root, stamp({
+    kind: "save",
+    path: relPath,
+    sha256,
+    linesAdded: delta.linesAdded,
+    linesRemoved: delta.linesRemoved,
+  }));
+}
+
+function isEntryPoint() {
+  try {
+    return import.meta.url === pathToFileURL(fs.realpathSync(process.argv[1])).href;
+  } catch {
+    return false;
+  }
+}
+
+// Run only as the hook entry point — rl4-track.test.mjs imports the inference helpers
+if (isEntryPoint()) {
+  main().catch((e) => {
+    process.stderr.write(`[RL4 track] ${e && e.message}\n`);
+  }).finally(() => {
+    process.exit(0);
+  });
+}
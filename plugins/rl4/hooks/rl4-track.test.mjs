@@ -0,0 +1,281 @@
+/**
+ * Behavior tests for the PostToolUse hook: shell splitting, rm / mv / cp inference against
+ * a real temp workspace (the command runs first, like PostToolUse), and concurrent capture.
+ *
+ * Run: node --test hooks/rl4-track.test.mjs   (or `npm test` in mcp-server/)
+ */
+import { describe, it, beforeEach, afterEach } from "node:test";
+import * as assert from "node:assert/strict";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { execFileSync, spawn } from "child_process";
+import { fileURLToPath } from "url";
+import { inferBashFileOps, splitShellCommands } from "./rl4-track.mjs";
+import * as capture from "../mcp-server/capture.js";
+
+const HOOK = fileURLToPath(new URL("./rl4-track.mjs", import.meta.url));
+
+// ── Helpers ──────────────────────────────────────────────────────────────
+
+let root;
+
+function mkWorkspace(files) {
+  root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "rl4-track-")));
+  fs.mkdirSync(path.join(root, ".rl4"));
+  for (const f of files) {
+    fs.mkdirSync(path.dirname(path.join(root, f)), { recursive: true });
+    fs.writeFileSync(path.join(root, f), `${f}\n`);
+  }
+  return files;
+}
+
+/** Run the command for real (as Claude's Bash tool did), then infer what it changed. */
+function runAndInfer(command, knownPaths, cwd = root) {
+  try {
+    execFileSync("sh", ["-c", command], { cwd, stdio: "ignore" });
+  } catch { /* failed commands are part of the test surface */ }
+  return inferBashFileOps(capture, command, cwd, root, knownPaths);
+}
+
+function runHook(input) {
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [HOOK], { stdio: ["pipe", "ignore", "pipe"] });
+    child.on("exit", resolve);
+    child.stdin.end(JSON.stringify(input));
+  });
+}
+
+function readActivity() {
+  const file = path.join(root, ".rl4", "evidence", "activity.jsonl");
+  return fs.readFileSync(file, "utf-8").trim().split("\n").map((l) => JSON.parse(l));
+}
+
+afterEach(() => {
+  if (root) fs.rmSync(root, { recursive: true, force: true });
+  root = null;
+});
+
+// ── splitShellCommands ───────────────────────────────────────────────────
+
+describe("splitShellCommands", () => {
+  it("keeps quoted and escaped whitespace inside one word", () => {
+    assert.deepEqual(splitShellCommands(`rm "my file.txt" 'it''s' a\\ b`), [["rm", "my file.txt", "its", "a b"]]);
+  });
+
+  it("does not split on separators inside quotes", () => {
+    assert.deepEqual(splitShellCommands(`echo "a && b; c" | rm x`), [["echo", "a && b; c"], ["rm", "x"]]);
+  });
+
+  it("splits on && || ; | & newlines and subshell parens", () => {
+    assert.deepEqual(
+      splitShellCommands("a && b || c; d | e & f\ng (h)"),
+      [["a"], ["b"], ["c"], ["d"], ["e"], ["f"], ["g"], ["h"]],
+    );
+  });
+
+  it("keeps 2>&1 and &> redirections as words", () => {
+    assert.deepEqual(splitShellCommands("rm a 2>&1 &>log"), [["rm", "a", "2>&1", "&>log"]]);
+  });
+});
+
+// ── inferBashFileOps ─────────────────────────────────────────────────────
+
+describe("inferBashFileOps — rm", () => {
+  beforeEach(() => mkWorkspace(["a.txt", "b.txt", "src/lib/x.js", "src/lib/y.js", "src/keep.js"]));
+
+  it("reports a delete per removed file", () => {
+    const known = ["a.txt", "b.txt"];
+    assert.deepEqual(runAndInfer("rm a.txt b.txt", known), [
+      { kind: "delete", relPath: "a.txt" },
+      { kind: "delete", relPath: "b.txt" },
+    ]);
+  });
+
+  it("expands rm -r on a directory to the tracked files underneath", () => {
+    const known = ["src/lib/x.js", "src/lib/y.js", "src/keep.js"];
+    assert.deepEqual(runAndInfer("rm -rf src/lib", known), [
+      { kind: "delete", relPath: "src/lib/x.js" },
+      { kind: "delete", relPath: "src/lib/y.js" },
+    ]);
+  });
+
+  it("ignores redirection targets", () => {
+    const known = ["a.txt", "log.txt"];
+    assert.deepEqual(runAndInfer("rm a.txt > log.txt 2>&1", known), [{ kind: "delete", relPath: "a.txt" }]);
+  });
+
+  it("reports nothing when rm fails", () => {
+    // rm refuses a directory without -r — fails for every user, root included
+    assert.deepEqual(runAndInfer("rm src/lib", ["src/lib/x.js", "src/lib/y.js"]), []);
+    assert.ok(fs.existsSync(path.join(root, "src/lib/x.js")));
+    assert.deepEqual(runAndInfer("rm missing.txt", ["a.txt"]), []);
+  });
+
+  it("reports each file once when rm commands overlap", () => {
+    const known = ["src/lib/x.js", "src/lib/y.js"];
+    assert.deepEqual(runAndInfer("rm -rf src/lib; rm -f src/lib/x.js", known), [
+      { kind: "delete", relPath: "src/lib/x.js" },
+      { kind: "delete", relPath: "src/lib/y.js" },
+    ]);
+  });
+
+  it("follows cd chains", () => {
+    const known = ["src/lib/x.js", "a.txt"];
+    assert.deepEqual(runAndInfer("cd src && cd lib && rm x.js; cd .. && cd .. && rm a.txt", known), [
+      { kind: "delete", relPath: "src/lib/x.js" },
+      { kind: "delete", relPath: "a.txt" },
+    ]);
+  });
+
+  it("skips globs and variables it cannot resolve afterwards", () => {
+    assert.deepEqual(runAndInfer("rm *.txt", ["a.txt", "b.txt"]), []);
+  });
+
+  it("handles git rm, but not git rm --cached", () => {
+    execFileSync("git", ["init", "-q"], { cwd: root });
+    execFileSync("git", ["add", "."], { cwd: root });
+    assert.deepEqual(runAndInfer("git rm -q --cached a.txt", ["a.txt"]), []);
+    execFileSync("git", ["add", "."], { cwd: root });
+    // Refused: staged but uncommitted changes
+    assert.deepEqual(runAndInfer("git rm -q -r src/lib", ["src/lib/x.js", "src/lib/y.js"]), []);
+    assert.deepEqual(runAndInfer("git rm -q -r -f src/lib", ["src/lib/x.js", "src/lib/y.js"]), [
+      { kind: "delete", relPath: "src/lib/x.js" },
+      { kind: "delete", relPath: "src/lib/y.js" },
+    ]);
+  });
+});
+
+describe("inferBashFileOps — mv / cp", () => {
+  const known = ["a.txt", "src/lib/x.js", "src/lib/y.js"];
+  beforeEach(() => mkWorkspace([...known, "out/.keep"]));
+
+  it("renames a file, including quoted names", () => {
+    assert.deepEqual(runAndInfer(`mv a.txt "new name.txt"`, known), [
+      { kind: "rename", relPath: "new name.txt", fromPath: "a.txt" },
+    ]);
+  });
+
+  it("moves a file into an existing directory", () => {
+    assert.deepEqual(runAndInfer("mv a.txt out", known), [
+      { kind: "rename", relPath: "out/a.txt", fromPath: "a.txt" },
+    ]);
+  });
+
+  it("renames a directory to a new name", () => {
+    assert.deepEqual(runAndInfer("mv src/lib src/util", known), [
+      { kind: "rename", relPath: "src/util/x.js", fromPath: "src/lib/x.js" },
+      { kind: "rename", relPath: "src/util/y.js", fromPath: "src/lib/y.js" },
+    ]);
+  });
+
+  it("moves a directory into an existing directory", () => {
+    assert.deepEqual(runAndInfer("mv src/lib out", known), [
+      { kind: "rename", relPath: "out/lib/x.js", fromPath: "src/lib/x.js" },
+      { kind: "rename", relPath: "out/lib/y.js", fromPath: "src/lib/y.js" },
+    ]);
+  });
+
+  it("copies a directory to a new name", () => {
+    assert.deepEqual(runAndInfer("cp -r src/lib src/copy", known), [
+      { kind: "create", relPath: "src/copy/x.js" },
+      { kind: "create", relPath: "src/copy/y.js" },
+    ]);
+  });
+
+  it("reads -t DIR as the target, not as a source", () => {
+    assert.deepEqual(runAndInfer("mv -t out a.txt src/lib/x.js", known), [
+      { kind: "rename", relPath: "out/a.txt", fromPath: "a.txt" },
+      { kind: "rename", relPath: "out/x.js", fromPath: "src/lib/x.js" },
+    ]);
+    assert.deepEqual(runAndInfer("cp --target-directory=src src/lib/y.js", known), [
+      { kind: "create", relPath: "src/y.js" },
+    ]);
+  });
+
+  it("handles git mv", () => {
+    execFileSync("git", ["init", "-q"], { cwd: root });
+    execFileSync("git", ["add", "."], { cwd: root });
+    assert.deepEqual(runAndInfer("git mv src/lib/x.js src/z.js", known), [
+      { kind: "rename", relPath: "src/z.js", fromPath: "src/lib/x.js" },
+    ]);
+  });
+
+  it("reports nothing when mv or cp fails", () => {
+    assert.deepEqual(runAndInfer("mv missing.txt out", known), []);
+    assert.deepEqual(runAndInfer("cp a.txt no/such/dir/a.txt", known), []);
+    // mv refused (-n, target exists) → source is still there
+    fs.writeFileSync(path.join(root, "out", "a.txt"), "other\n");
+    assert.deepEqual(runAndInfer("mv -n a.txt out/a.txt", known), []);
+  });
+});
+
+// ── Hook process ─────────────────────────────────────────────────────────
+
+describe("rl4-track hook", () => {
+  it("indexes every file when several Write hooks run concurrently", async () => {
+    const files = mkWorkspace(Array.from({ length: 8 }, (_, i) => `f${i}.txt`));
+    await Promise.all(files.map((f) => runHook({
+      tool_name: "Write",
+      tool_input: { file_path: path.join(root, f) },
+      cwd: root,
+      session_id: "concurrent-test",
+    })));
+    assert.deepEqual(Object.keys(capture.readFileIndex(root)).sort(), files);
+    const events = readActivity();
+    assert.equal(events.length, 8);
+    for (const e of events) {
+      assert.equal(e.kind, "save");
+      assert.equal(e.source, "claude-code");
+      assert.equal(e.burst_id, "burst-cli-concurrent-t");
+      assert.ok(capture.readBlob(root, e.sha256));
+    }
+  });
+
+  it("does not report a delete again for a file that is already gone", async () => {
+    const files = mkWorkspace(["src/lib/x.js", "src/lib/y.js", "a.txt"]);
+    for (const f of files) {
+      await runHook({ tool_name: "Write", tool_input: { file_path: path.join(root, f) }, cwd: root });
+    }
+    const bash = async (command) => {
+      execFileSync("sh", ["-c", command], { cwd: root });
+      await runHook({ tool_name: "Bash", tool_input: { command }, cwd: root });
+    };
+    await bash("rm src/lib/x.js");
+    await bash("rm -rf src/lib");
+    await bash("rm -f src/lib/x.js");
+    await bash("mv a.txt b.txt");
+    await bash("rm -f a.txt");
+    const deletes = readActivity().filter((e) => e.kind === "delete").map((e) => e.path);
+    assert.deepEqual(deletes, ["src/lib/x.js", "src/lib/y.js"]);
+  });
+
+  it("records a large cp -r and rm -rf within the hook timeout", async () => {
+    const files = mkWorkspace(Array.from({ length: 200 }, (_, i) => `src/lib/f${i}.js`));
+    await capture.captureFiles(root, files.map((f) => ({ relPath: f, absPath: path.join(root, f) })));
+    const started = Date.now();
+    for (const command of ["cp -r src/lib src/copy", "rm -rf src/lib"]) {
+      execFileSync("sh", ["-c", command], { cwd: root });
+      await runHook({ tool_name: "Bash", tool_input: { command }, cwd: root });
+    }
+    assert.ok(Date.now() - started < 5000);
+    const events = readActivity();
+    assert.equal(events.filter((e) => e.kind === "create").length, 200);
+    assert.equal(events.filter((e) => e.kind === "delete").length, 200);
+    const index = capture.readFileIndex(root);
+    assert.deepEqual(index["src/copy/f7.js"], index["src/lib/f7.js"]);
+    assert.ok(fs.readdirSync(path.join(root, ".rl4", "evidence")).every((f) => !f.endsWith(".lock")));
+  });
+
+  it("records a Bash rename with from_path and a fresh blob", async () => {
+    mkWorkspace(["a.txt"]);
+    await runHook({ tool_name: "Write", tool_input: { file_path: path.join(root, "a.txt") }, cwd: root });
+    fs.renameSync(path.join(root, "a.txt"), path.join(root, "b.txt"));
+    await runHook({ tool_name: "Bash", tool_input: { command: "mv a.txt b.txt" }, cwd: root });
+    const [, rename] = readActivity();
+    assert.equal(rename.kind, "rename");
+    assert.equal(rename.path, "b.txt");
+    assert.equal(rename.from_path, "a.txt");
+    assert.equal(capture.readBlob(root, rename.sha256), "a.txt\n");
+  });
+});
@@ -0,0 +1,242 @@
+/**
+ * RL4 capture primitives shared by the Claude Code hook (hooks/rl4-track.mjs)
+ * and the terminal file watcher (watch.js).
+ *
+ * Writes the same on-disk format as the Cursor/VS Code extension:
+ *   - .rl4/evidence/activity.jsonl        one event per file change
+ *   - .rl4/evidence/sessions.jsonl        one burst per cluster of saves
+ *   - .rl4/snapshots/<sha256>.content.gz  ContentStore blob (content-addressed)
+ *   - .rl4/snapshots/file_index.json      path → [checksum1, checksum2, ...]
+ * Every shared file goes through fs_lock.js (same lock convention as the MCP daemon).
+ * The async lock variants are used throughout: they retry with backoff, whereas the
+ * sync ones fail on the first overlap and drop the write.
+ */
+import * as fs from "fs";
+import * as path from "path";
+import * as crypto from "crypto";
+import * as zlib from "zlib";
+import { ensureDirSync, lockedAppendAsync, lockedReadModifyWriteAsync } from "./dist/utils/fs_lock.js";
+
+/** Walk up from cwd to the nearest directory holding .rl4/ — fall back to cwd itself. */
+export function findWorkspaceRoot(cwd) {
+  let dir = path.resolve(cwd);
+  while (true) {
+    if (fs.existsSync(path.join(dir, ".rl4"))) return dir;
+    const parent = path.dirname(dir);
+    if (parent === dir) break;
+    dir = parent;
+  }
+  return path.resolve(cwd);
+}
+
+/** Workspace-relative POSIX path, or null when outside the workspace or inside .rl4/. */
+export function toRelPath(root, absPath) {
+  const rel = path.relative(root, absPath);
+  if (!rel || rel.startsWith("..") || path.isAbsolute(rel)) return null;
+  const posix = rel.split(path.sep).join("/");
+  if (posix === ".rl4" || posix.startsWith(".rl4/")) return null;
+  return posix;
+}
+
+/** Line count with `wc -l` semantics for files (a trailing newline does not open a new line). */
+export function countLines(text) {
+  if (typeof text !== "string" || text.length === 0) return 0;
+  const n = text.split("\n").length;
+  return text.endsWith("\n") ? n - 1 : n;
+}
+
+/** sha256 of file content — the ContentStore blob key and file_index.json checksum. */
+export function contentSha256(content) {
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+/**
+ * Save content as .rl4/snapshots/<sha256>.content.gz (content-addressed = dedup).
+ * Returns sha256, or null when the blob could not be written.
+ */
+function writeBlob(root, content) {
+  const sha256 = contentSha256(content);
+  const snapshotsDir = path.join(root, ".rl4", "snapshots");
+  ensureDirSync(snapshotsDir);
+  const blobPath = path.join(snapshotsDir, `${sha256}.content.gz`);
+  if (fs.existsSync(blobPath)) return sha256;
+  // tmp + rename: a concurrent reader never sees a half-written blob
+  const tmp = `${blobPath}.${process.pid}.tmp`;
+  try {
+    fs.writeFileSync(tmp, zlib.gzipSync(content));
+    fs.renameSync(tmp, blobPath);
+  } catch {
+    try { fs.unlinkSync(tmp); } catch { /* already gone */ }
+    return null;
+  }
+  return sha256;
+}
+
+/**
+ * Save content as a ContentStore blob and append its checksum to file_index.json under relPath.
+ * Returns sha256, or null when the blob could not be written (nothing is indexed then:
+ * an index entry without its blob breaks readBlobSafe / restore_version).
+ */
+export async function captureContent(root, relPath, content) {
+  const sha256 = writeBlob(root, content);
+  if (sha256) await indexChecksums(root, [[relPath, sha256]]);
+  return sha256;
+}
+
+/** captureContent for a file on disk. Returns sha256, or null if the file can't be read. */
+export async function captureFile(root, relPath, absPath) {
+  let content;
+  try {
+    content = fs.readFileSync(absPath);
+  } catch {
+    return null;
+  }
+  return captureContent(root, relPath, content);
+}
+
+/**
+ * captureFile for several files ({ relPath, absPath }[]) under a single file_index.json lock.
+ * Returns sha256 or null per file, in order.
+ */
+export async function captureFiles(root, files) {
+  const checksums = files.map(({ absPath }) => {
+    try {
+      return writeBlob(root, fs.readFileSync(absPath));
+    } catch {
+      return null;
+    }
+  });
+  const entries = files.map((f, i) => [f.relPath, checksums[i]]).filter(([, sha256]) => sha256);
+  if (entries.length > 0) await indexChecksums(root, entries);
+  return checksums;
+}
+
+/** file_index.json: one locked read-modify-write for [relPath, sha256] entries, each checksum once per path. */
+async function indexChecksums(root, entries) {
+  const indexPath = path.join(root, ".rl4", "snapshots", "file_index.json");
+  await lockedReadModifyWriteAsync(indexPath, (raw) => {
+    let idx = {};
+    try {
+      idx = raw.trim() ? JSON.parse(raw) : {};
+    } catch {
+      return raw; // corrupt index — never overwrite what we can't parse
+    }
+    let changed = false;
+    for (const [relPath, sha256] of entries) {
+      let arr = idx[relPath] || [];
+      if (typeof arr === "string") arr = [arr];
+      if (arr.includes(sha256)) continue;
+      arr.push(sha256);
+      idx[relPath] = arr;
+      changed = true;
+    }
+    return changed ? JSON.stringify(idx) : raw;
+  }, false);
+}
+
+/** file_index.json as a plain object ({} when missing or unreadable). */
+export function readFileIndex(root) {
+  try {
+    const raw = fs.readFileSync(path.join(root, ".rl4", "snapshots", "file_index.json"), "utf-8");
+    return JSON.parse(raw) || {};
+  } catch {
+    return {};
+  }
+}
+
+/** Read a ContentStore blob (.content or .content.gz) as utf-8, or null. */
+export function readBlob(root, sha256) {
+  const base = path.join(root, ".rl4", "snapshots", `${sha256}.content`);
+  try {
+    if (fs.existsSync(base)) return fs.readFileSync(base, "utf-8");
+    if (fs.existsSync(`${base}.gz`)) return zlib.gunzipSync(fs.readFileSync(`${base}.gz`)).toString("utf-8");
+  } catch { /* corrupt blob */ }
+  return null;
+}
+
+/**
+ * Paths among relPaths whose latest activity.jsonl event says they are gone: a delete,
+ * or the source side of a rename. Reads the log backwards and stops once every path is settled.
+ */
+export function goneInActivity(root, relPaths) {
+  const pending = new Set(relPaths);
+  const gone = new Set();
+  if (pending.size === 0) return gone;
+  let raw;
+  try {
+    raw = fs.readFileSync(path.join(root, ".rl4", "evidence", "activity.jsonl"), "utf-8");
+  } catch {
+    return gone;
+  }
+  const lines = raw.split("\n");
+  for (let i = lines.length - 1; i >= 0 && pending.size > 0; i--) {
+    if (!lines[i].trim()) continue;
+    let event;
+    try {
+      event = JSON.parse(lines[i]);
+    } catch {
+      continue; // torn line
+    }
+    if (event.from_path && pending.delete(event.from_path)) gone.add(event.from_path);
+    if (pending.delete(event.path) && event.kind === "delete") gone.add(event.path);
+  }
+  return gone;
+}
+
+/** Line-multiset delta between two versions (same counting as the IDE's linesAdded/linesRemoved). */
+export function lineDelta(before, after) {
+  const counts = new Map();
+  for (const l of before ? before.split("\n") : []) counts.set(l, (counts.get(l) || 0) + 1);
+  let linesAdded = 0;
+  for (const l of after ? after.split("\n") : []) {
+    const c = counts.get(l) || 0;
+    if (c > 0) counts.set(l, c - 1);
+    else linesAdded++;
+  }
+  let linesRemoved = 0;
+  for (const c of counts.values()) linesRemoved += c;
+  return { linesAdded, linesRemoved };
+}
+
+/** Append one activity event (IDE format) to .rl4/evidence/activity.jsonl. */
+export async function appendActivity(root, event) {
+  const evidenceDir = path.join(root, ".rl4", "evidence");
+  ensureDirSync(evidenceDir);
+  await lockedAppendAsync(path.join(evidenceDir, "activity.jsonl"), JSON.stringify(event));
+}
+
+/** Append several activity events under one lock (a large rm -r / mv must fit the hook timeout). */
+export async function appendActivities(root, events) {
+  if (events.length === 0) return;
+  const evidenceDir = path.join(root, ".rl4", "evidence");
+  ensureDirSync(evidenceDir);
+  await lockedAppendAsync(path.join(evidenceDir, "activity.jsonl"), events.map((e) => JSON.stringify(e)).join("\n"));
+}
+
+/** Append one burst session to .rl4/evidence/sessions.jsonl. */
+export async function appendBurst(root, burst) {
+  const evidenceDir = path.join(root, ".rl4", "evidence");
+  ensureDirSync(evidenceDir);
+  await lockedAppendAsync(path.join(evidenceDir, "sessions.jsonl"), JSON.stringify(burst));
+}
+
+/** Burst pattern from file names — same heuristic as the MCP server's synthetic sessions. */
+export function inferPatternFromFiles(files) {
+  let test = 0, docs = 0, config = 0, feature = 0;
+  for (const f of files) {
+    if (!f) continue;
+    const name = f.split("/").pop() || f;
+    if (/\.(test|spec)\./i.test(name) || /__(tests|mocks)__/i.test(f)) test++;
+    else if (/\.(md|txt|rst)$/i.test(name)) docs++;
+    else if (/\.(json|yaml|yml|toml|env|mdc|gitignore)$/i.test(name) || /config/i.test(name)) config++;
+    else feature++;
+  }
+  const top = [
+    { type: "test", count: test },
+    { type: "docs", count: docs },
+    { type: "config", count: config },
+    { type: "feature", count: feature },
+  ].sort((a, b) => b.count - a.count)[0];
+  if (top.count === 0) return { type: "unknown", confidence: 0.3, indicators: [] };
+  return { type: top.type, confidence: 0.7, indicators: [`${top.count}/${files.length}_files`] };
+}
@@ -0,0 +1,281 @@
+#!/usr/bin/env node
+/**
+ * RL4 Watch — opt-in filesystem watcher for terminal-only setups (no Cursor/VS Code extension).
+ *
+ * Captures changes made by vim, codegen, `git checkout`, etc. in the same format the IDE
+ * extension writes: activity.jsonl events, ContentStore blobs + file_index.json, and
+ * burst sessions in sessions.jsonl.
+ *
+ * Usage:
+ *   node watch.js [workspace_root]     (default: RL4_WORKSPACE_ROOT, then cwd)
+ *
+ * - Watched files follow workspaceScanner.js's rules via workspaceRules.js (root .gitignore,
+ *   hardcoded exclusions like node_modules / dist / .rl4, source extensions, 500KB max)
+ *   without its 500-file / 3s caps, which exist for on-the-fly indexing, not for watching.
+ * - Saves are debounced per file; a save whose content did not change is not recorded.
+ * - Saves separated by less than BURST_GAP_MS form one burst session.
+ * Stop with Ctrl+C — debounced saves and the open burst are flushed before exit.
+ */
+import * as fs from "fs";
+import * as path from "path";
+import { appendActivity, appendBurst, captureContent, contentSha256, countLines, inferPatternFromFiles, lineDelta, readBlob, readFileIndex, toRelPath } from "./capture.js";
+import { acceptsDir, acceptsFileName, walkWorkspace } from "./workspaceRules.js";
+
+const DEBOUNCE_MS = 400; // editors write in several syscalls — wait for the last one
+const BURST_GAP_MS = 2 * 60 * 1000; // 2 min without a save closes the burst
+const RESCAN_MS = 30 * 1000; // pick up new directories / .gitignore changes
+const NEW_FILE_RESCAN_MS = 1000;
+const MAX_WATCHED_FILES = 20000; // safety net for huge monorepos
+
+const root = path.resolve(process.argv[2] || process.env.RL4_WORKSPACE_ROOT || process.cwd());
+if (!fs.existsSync(root) || !fs.statSync(root).isDirectory()) {
+  console.error(`[RL4 watch] Not a directory: ${root}`);
+  process.exit(1);
+}
+
+/** Files the walker accepts (workspace-relative). Events on anything else are ignored. */
+let watchedFiles = new Set();
+/** One non-recursive watcher per non-ignored directory (portable on Node 18). */
+const dirWatchers = new Map();
+/** Last captured content per file — baseline when its blob can't be read back. */
+const lastContent = new Map();
+/** Files whose delete was recorded — a re-created file is a new save even with the same content. */
+const deletedFiles = new Set();
+const pendingTimers = new Map();
+/** Captures that have started but not finished — awaited on shutdown. */
+const inFlight = new Set();
+let shuttingDown = false;
+let rescanTimer = null;
+/** Unknown paths named by events since rescanTimer was set. */
+const unknownPaths = new Set();
+let burst = null;
+let burstTimer = null;
+let truncationLogged = false;
+/** Root .gitignore rules as of the last walk — pre-filter for unknown paths. */
+let ignoreRules = [];
+
+/** Re-walk and re-sync the directory watchers. `added` lists files that were not watched before. */
+function rescan() {
+  const walk = walkWorkspace(root, MAX_WATCHED_FILES);
+  ignoreRules = walk.rules;
+  walk.added = walk.files.filter((f) => !watchedFiles.has(f));
+  watchedFiles = new Set(walk.files);
+  const dirs = new Set(walk.dirs);
+  for (const [dir, watcher] of dirWatchers) {
+    if (!dirs.has(dir)) {
+      watcher.close();
+      dirWatchers.delete(dir);
+    }
+  }
+  for (const dir of dirs) {
+    if (dirWatchers.has(dir)) continue;
+    try {
+      const watcher = fs.watch(dir, (_event, filename) => onFsEvent(dir, filename));
+      watcher.on("error", () => {
+        watcher.close();
+        dirWatchers.delete(dir);
+      });
+      dirWatchers.set(dir, watcher);
+    } catch { /* directory vanished between scan and watch */ }
+  }
+  if (walk.truncated && !truncationLogged) {
+    truncationLogged = true;
+    console.error(`[RL4 watch] Workspace has more than ${MAX_WATCHED_FILES} source files — the rest are not watched`);
+  }
+  return walk;
+}
+
+function onFsEvent(dir, filename) {
+  if (!filename) return;
+  const relPath = toRelPath(root, path.join(dir, filename.toString()));
+  if (!relPath) return;
+  if (watchedFiles.has(relPath)) {
+    schedule(relPath);
+    return;
+  }
+  if (!mayBeWatched(relPath)) return;
+  // A new file or directory the rules accept — let the walker decide. The timer is not
+  // pushed back by later events: a file rewritten every few hundred ms must not starve it.
+  unknownPaths.add(relPath);
+  if (!rescanTimer) rescanTimer = setTimeout(runPendingRescan, NEW_FILE_RESCAN_MS);
+}
+
+function runPendingRescan() {
+  clearTimeout(rescanTimer);
+  rescanTimer = null;
+  const seen = [...unknownPaths];
+  unknownPaths.clear();
+  captureDiscovered(rescan());
+  // Every path the events named, not just the last: `git stash pop` brings back many at once
+  for (const relPath of seen) {
+    if (watchedFiles.has(relPath)) schedule(relPath);
+  }
+}
+
+/**
+ * Whether an unknown path could be a watched file or directory. Swap files (.x.swp, 4913),
+ * backups (x~) and logs are rejected here without re-walking the workspace.
+ */
+function mayBeWatched(relPath) {
+  if (relPath === ".gitignore") return true; // the rules themselves changed
+  let stat;
+  try {
+    stat = fs.statSync(path.join(root, relPath));
+  } catch {
+    return false; // already gone — vim's 4913 write probe, a renamed temp file
+  }
+  if (stat.isDirectory()) return acceptsDir(relPath, ignoreRules);
+  return stat.isFile() && acceptsFileName(relPath, ignoreRules);
+}
+
+/**
+ * Capture files a rescan discovered that were never captured. The event that triggered the
+ * rescan may name a new directory, not the files created inside it.
+ */
+function captureDiscovered(walk) {
+  const index = readFileIndex(root);
+  for (const relPath of walk.added) {
+    const captured = lastContent.has(relPath) || Object.prototype.hasOwnProperty.call(index, relPath);
+    if (!captured || deletedFiles.has(relPath)) schedule(relPath); // new, or back after a delete
+  }
+}
+
+function schedule(relPath) {
+  const existing = pendingTimers.get(relPath);
+  if (existing) clearTimeout(existing);
+  pendingTimers.set(relPath, setTimeout(() => {
+    pendingTimers.delete(relPath);
+    runCapture(relPath);
+  }, DEBOUNCE_MS));
+}
+
+function runCapture(relPath) {
+  const task = captureChange(relPath)
+    .catch((e) => console.error(`[RL4 watch] Capture failed for ${relPath}: ${e && e.message}`))
+    .finally(() => inFlight.delete(task));
+  inFlight.add(task);
+  return task;
+}
+
+/** Latest checksum file_index.json holds for a file (hook, IDE or an earlier run), or null. */
+function latestChecksum(relPath) {
+  const checksums = readFileIndex(root)[relPath];
+  const latest = Array.isArray(checksums) ? checksums[checksums.length - 1] : checksums;
+  return latest || null;
+}
+
+/** Previous version of a file: its latest ContentStore blob, else the in-memory baseline. */
+function previousContent(relPath, latest) {
+  const blob = latest ? readBlob(root, latest) : null;
+  if (blob !== null) return blob;
+  return lastContent.has(relPath) ? lastContent.get(relPath) : null;
+}
+
+async function captureChange(relPath) {
+  const absPath = path.join(root, relPath);
+  const latest = latestChecksum(relPath);
+  if (!fs.existsSync(absPath)) {
+    const previous = previousContent(relPath, latest);
+    watchedFiles.delete(relPath);
+    lastContent.delete(relPath);
+    if (previous === null || deletedFiles.has(relPath)) return; // never captured, or already recorded
+    deletedFiles.add(relPath);
+    await record({ kind: "delete", path: relPath, sha256: "", linesAdded: 0, linesRemoved: countLines(previous) });
+    return;
+  }
+  let buffer;
+  try {
+    buffer = fs.readFileSync(absPath);
+  } catch {
+    return;
+  }
+  const content = buffer.toString("utf-8");
+  const wasDeleted = deletedFiles.delete(relPath);
+  // Already the latest indexed version: the hook captured Claude's own edit, or a touch /
+  // checkout of identical content. Recording it again would double-count the change.
+  if (!wasDeleted && latest && contentSha256(buffer) === latest) {
+    lastContent.set(relPath, content);
+    return;
+  }
+  const previous = wasDeleted ? null : previousContent(relPath, latest);
+  if (content === previous) return;
+  const sha256 = await captureContent(root, relPath, buffer);
+  if (!sha256) return; // blob not written — retry on the next save
+  lastContent.set(relPath, content);
+  const delta = previous === null
+    ? { linesAdded: countLines(content), linesRemoved: 0 }
+    : lineDelta(previous, content);
+  await record({ kind: "save", path: relPath, sha256, linesAdded: delta.linesAdded, linesRemoved: delta.linesRemoved });
+}
+
+async function record(event) {
+  const now = Date.now();
+  let closing = null;
+  if (!burst || now - burst.lastMs > BURST_GAP_MS) {
+    closing = closeBurst(); // detaches the old burst synchronously, appends it in the background
+    burst = { id: `burst-watch-${now.toString(36)}`, startMs: now, lastMs: now, files: new Set(), events: 0 };
+  }
+  burst.lastMs = now;
+  burst.files.add(event.path);
+  burst.events++;
+  const t = new Date(now).toISOString();
+  if (burstTimer) clearTimeout(burstTimer);
+  burstTimer = setTimeout(() => {
+    closeBurst().catch((e) => console.error(`[RL4 watch] Burst flush failed: ${e && e.message}`));
+  }, BURST_GAP_MS);
+  await closing;
+  await appendActivity(root, {
+    t,
+    ...event,
+    burst_id: burst.id,
+    persisted_at: t,
+    source: "rl4-watch",
+  });
+}
+
+async function closeBurst() {
+  if (burstTimer) {
+    clearTimeout(burstTimer);
+    burstTimer = null;
+  }
+  if (!burst || burst.events === 0) return;
+  const closed = burst;
+  burst = null; // detach first: saves arriving during the append open a new burst
+  const files = [...closed.files];
+  await appendBurst(root, {
+    burst_id: closed.id,
+    t: new Date(closed.startMs).toISOString(),
+    files,
+    pattern: inferPatternFromFiles(files),
+    events_count: closed.events,
+    duration_ms: Math.max(closed.lastMs - closed.startMs, 1000),
+  });
+  console.error(`[RL4 watch] Burst ${closed.id}: ${closed.events} saves on ${files.length} files`);
+}
+
+async function shutdown() {
+  if (shuttingDown) return; // second Ctrl+C while flushing
+  shuttingDown = true;
+  if (rescanTimer) runPendingRescan(); // files that appeared in the last second
+  clearInterval(rescanInterval);
+  for (const watcher of dirWatchers.values()) watcher.close();
+  // Saves still inside their debounce window are captured now rather than dropped
+  for (const [relPath, timer] of pendingTimers) {
+    clearTimeout(timer);
+    runCapture(relPath);
+  }
+  pendingTimers.clear();
+  await Promise.all(inFlight);
+  try {
+    await closeBurst();
+  } catch (e) {
+    console.error(`[RL4 watch] Burst flush failed: ${e && e.message}`);
+  }
+  process.exit(0);
+}
+
+const initial = rescan();
+const rescanInterval = setInterval(() => captureDiscovered(rescan()), RESCAN_MS);
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
+console.error(`[RL4 watch] Watching ${initial.files.length} files in ${dirWatchers.size} directories under ${root} (Ctrl+C to stop)`);
@@ -0,0 +1,200 @@
+/**
+ * Behavior tests for the terminal watcher: runs watch.js against a temp workspace and checks
+ * what lands in .rl4/evidence/ — debounce, create (also inside new directories), delete,
+ * ignore rules, dedup against hook captures, and the flush on shutdown.
+ *
+ * Run: npm test
+ */
+import { describe, it, beforeEach, afterEach } from "node:test";
+import * as assert from "node:assert/strict";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { spawn } from "child_process";
+import { fileURLToPath } from "url";
+import { captureContent, readBlob, readFileIndex } from "./capture.js";
+
+const WATCH = fileURLToPath(new URL("./watch.js", import.meta.url));
+
+// ── Helpers ──────────────────────────────────────────────────────────────
+
+let root;
+let watcher;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function write(relPath, content) {
+  fs.mkdirSync(path.dirname(path.join(root, relPath)), { recursive: true });
+  fs.writeFileSync(path.join(root, relPath), content);
+}
+
+function readJsonl(name) {
+  try {
+    const raw = fs.readFileSync(path.join(root, ".rl4", "evidence", name), "utf-8").trim();
+    return raw ? raw.split("\n").map((l) => JSON.parse(l)) : [];
+  } catch {
+    return [];
+  }
+}
+
+/** Poll activity.jsonl until `predicate(events)` holds. */
+async function waitForActivity(predicate, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const events = readJsonl("activity.jsonl");
+    if (predicate(events)) return events;
+    await sleep(50);
+  }
+  assert.fail(`timed out waiting for activity, got ${JSON.stringify(readJsonl("activity.jsonl"))}`);
+}
+
+/** Start watch.js and resolve once it reports it is watching. */
+function startWatcher() {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [WATCH, root], { stdio: ["ignore", "ignore", "pipe"] });
+    let stderr = "";
+    child.stderr.on("data", (chunk) => {
+      stderr += chunk;
+      if (stderr.includes("[RL4 watch] Watching")) resolve(child);
+    });
+    child.on("exit", (code) => reject(new Error(`watch.js exited (${code}): ${stderr}`)));
+  });
+}
+
+function stopWatcher() {
+  if (!watcher || watcher.exitCode !== null) return Promise.resolve();
+  return new Promise((resolve) => {
+    watcher.removeAllListeners("exit");
+    watcher.on("exit", resolve);
+    watcher.kill("SIGINT");
+  });
+}
+
+beforeEach(async () => {
+  root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "rl4-watch-")));
+  write("src/a.js", "one\ntwo\n");
+  write("node_modules/dep/index.js", "dep\n");
+  write("generated.js", "gen\n");
+  write(".gitignore", "generated.js\n");
+  watcher = await startWatcher();
+});
+
+afterEach(async () => {
+  await stopWatcher();
+  watcher = null;
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+// ── Tests ────────────────────────────────────────────────────────────────
+
+describe("watch.js", () => {
+  it("debounces a burst of writes into one save of the final content", async () => {
+    for (const content of ["one\n", "one\ntwo\nthree\n", "one\ntwo\nthree\nfour\n"]) {
+      write("src/a.js", content);
+      await sleep(20);
+    }
+    const [save] = await waitForActivity((events) => events.length >= 1);
+    await sleep(600); // no trailing event once the debounce window has passed
+    assert.equal(readJsonl("activity.jsonl").length, 1);
+    assert.equal(save.kind, "save");
+    assert.equal(save.path, "src/a.js");
+    assert.equal(save.source, "rl4-watch");
+    assert.match(save.burst_id, /^burst-watch-/);
+    assert.equal(readBlob(root, save.sha256), "one\ntwo\nthree\nfour\n");
+    assert.deepEqual(readFileIndex(root)["src/a.js"], [save.sha256]);
+    // First capture has no baseline: the whole file counts as added
+    assert.equal(save.linesAdded, 4);
+  });
+
+  it("computes line deltas against the previous capture", async () => {
+    write("src/a.js", "one\ntwo\nthree\n");
+    await waitForActivity((events) => events.length === 1);
+    write("src/a.js", "one\nthree\nfour\n");
+    const events = await waitForActivity((e) => e.length === 2);
+    assert.equal(events[1].linesAdded, 1);
+    assert.equal(events[1].linesRemoved, 1);
+  });
+
+  it("captures a new file in an existing directory", async () => {
+    write("src/b.ts", "export {};\n");
+    const [save] = await waitForActivity((events) => events.length === 1);
+    assert.equal(save.path, "src/b.ts");
+    assert.equal(save.linesAdded, 1);
+  });
+
+  it("captures new files inside new directories", async () => {
+    write("pkg/deep/c.js", "c\n");
+    write("docs/readme.md", "# docs\n");
+    const events = await waitForActivity((e) => e.length === 2);
+    assert.deepEqual(events.map((e) => e.path).sort(), ["docs/readme.md", "pkg/deep/c.js"]);
+  });
+
+  it("picks up a new file while a non-source file keeps changing next to it", async () => {
+    write("src/new.ts", "export {};\n");
+    const deadline = Date.now() + 2500;
+    let tick = 0;
+    while (Date.now() < deadline) {
+      write("src/app.log", `line ${tick++}\n`);
+      write("src/.new.ts.swp", `swap ${tick}\n`);
+      if (readJsonl("activity.jsonl").length > 0) break;
+      await sleep(150);
+    }
+    const events = await waitForActivity((e) => e.length >= 1, 500);
+    assert.deepEqual(events.map((e) => e.path), ["src/new.ts"]);
+  });
+
+  it("records a delete with the removed line count", async () => {
+    write("src/a.js", "one\ntwo\nthree\n");
+    await waitForActivity((events) => events.length === 1);
+    fs.unlinkSync(path.join(root, "src/a.js"));
+    const events = await waitForActivity((e) => e.length === 2);
+    assert.equal(events[1].kind, "delete");
+    assert.equal(events[1].sha256, "");
+    assert.equal(events[1].linesRemoved, 3);
+  });
+
+  it("records every file that comes back at once after being deleted", async () => {
+    const files = ["src/a.js", "src/b.js", "src/c.js"];
+    for (const f of files) write(f, `${f}\n`);
+    await waitForActivity((e) => e.length === 3);
+    // Like `git stash` then `git stash pop`: all gone, then all back
+    const stash = fs.mkdtempSync(path.join(os.tmpdir(), "rl4-stash-"));
+    for (const f of files) fs.renameSync(path.join(root, f), path.join(stash, path.basename(f)));
+    await waitForActivity((e) => e.filter((x) => x.kind === "delete").length === 3);
+    for (const f of files) fs.renameSync(path.join(stash, path.basename(f)), path.join(root, f));
+    fs.rmSync(stash, { recursive: true, force: true });
+    const events = await waitForActivity((e) => e.length === 9);
+    assert.deepEqual(events.slice(6).map((e) => `${e.kind} ${e.path}`).sort(), files.map((f) => `save ${f}`));
+  });
+
+  it("ignores gitignored files and hardcoded exclusions", async () => {
+    write("generated.js", "gen v2\n");
+    write("node_modules/dep/index.js", "dep v2\n");
+    write("src/a.js", "changed\n");
+    const events = await waitForActivity((e) => e.length >= 1);
+    await sleep(1500); // long enough for a rescan-triggered capture
+    assert.deepEqual(readJsonl("activity.jsonl").map((e) => e.path), ["src/a.js"]);
+    assert.equal(events[0].path, "src/a.js");
+  });
+
+  it("skips content the hook already captured", async () => {
+    const content = "written by Claude\n";
+    write("src/a.js", content);
+    await captureContent(root, "src/a.js", Buffer.from(content));
+    await sleep(1000);
+    assert.deepEqual(readJsonl("activity.jsonl"), []);
+  });
+
+  it("flushes debounced saves and the open burst on shutdown", async () => {
+    write("src/a.js", "last second edit\n");
+    await sleep(50); // event delivered, still inside the debounce window
+    await stopWatcher();
+    const events = readJsonl("activity.jsonl");
+    assert.equal(events.length, 1);
+    assert.equal(events[0].path, "src/a.js");
+    const [burst] = readJsonl("sessions.jsonl");
+    assert.equal(burst.burst_id, events[0].burst_id);
+    assert.deepEqual(burst.files, ["src/a.js"]);
+    assert.equal(burst.events_count, 1);
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Which workspace files RL4 looks at — workspaceScanner.js's rules, usable without its caps.
+ *
+ * scanWorkspace() stops at 500 files / 3s (it indexes on the fly) and exports nothing else,
+ * so the watcher walks with these rules instead. workspaceRules.test.js checks that both
+ * accept the same files; update the two together.
+ *
+ *   - hardcoded directory / file exclusions (node_modules, dist, .rl4, lockfiles, ...)
+ *   - source extensions only, 500KB max
+ *   - the root .gitignore, converted to regexes the way the scanner does
+ */
+import * as fs from "fs";
+import * as path from "path";
+
+const ALWAYS_SKIP_DIRS = new Set([
+  "node_modules", ".git", ".hg", ".svn",
+  "dist", "build", "out", ".next", ".nuxt", ".output",
+  "__pycache__", ".pytest_cache", ".mypy_cache",
+  "target", "vendor", ".rl4",
+  ".vscode", ".idea", ".cursor",
+  "coverage", ".nyc_output",
+  ".turbo", ".cache", ".parcel-cache",
+  "venv", ".venv", "env", ".env",
+]);
+const ALWAYS_SKIP_FILES = new Set([
+  ".DS_Store", "Thumbs.db", "desktop.ini",
+  "package-lock.json", "yarn.lock", "pnpm-lock.yaml", "bun.lockb",
+  "composer.lock", "Gemfile.lock", "Cargo.lock", "poetry.lock",
+]);
+const SOURCE_EXTENSIONS = new Set([
+  ".ts", ".tsx", ".js", ".jsx", ".mjs", ".cjs",
+  ".vue", ".svelte", ".astro",
+  ".html", ".css", ".scss", ".less", ".sass",
+  ".py", ".rb", ".go", ".rs", ".java", ".kt", ".scala",
+  ".php", ".cs", ".swift", ".c", ".cpp", ".h", ".hpp",
+  ".json", ".yaml", ".yml", ".toml", ".ini", ".env.example",
+  ".graphql", ".gql", ".proto", ".sql",
+  ".md", ".mdx", ".txt", ".rst",
+  ".sh", ".bash", ".zsh", ".fish",
+  ".prisma", ".dockerfile", ".tf", ".hcl",
+]);
+const MAX_FILE_SIZE = 500000;
+
+function parseGitignore(content) {
+  const rules = [];
+  for (const rawLine of content.split("\n")) {
+    let line = rawLine.trim();
+    if (!line || line.startsWith("#")) continue;
+    const negated = line.startsWith("!");
+    if (negated) line = line.slice(1);
+    line = line.replace(/(?<!\\)\s+$/, "");
+    if (!line) continue;
+    let pattern = line
+      .replace(/\./g, "\\.")
+      .replace(/\*\*/g, "§§")
+      .replace(/\*/g, "[^/]*")
+      .replace(/§§/g, ".*")
+      .replace(/\?/g, "[^/]");
+    pattern = pattern.startsWith("/") ? `^${pattern.slice(1)}` : `(^|/)${pattern}`;
+    pattern = pattern.endsWith("/") ? `${pattern}.*` : `${pattern}(/.*)?$`;
+    try {
+      rules.push({ pattern: new RegExp(pattern), negated });
+    } catch { /* invalid pattern */ }
+  }
+  return rules;
+}
+
+function isIgnored(relPath, rules) {
+  let ignored = false;
+  for (const rule of rules) {
+    if (rule.pattern.test(relPath)) ignored = !rule.negated;
+  }
+  return ignored;
+}
+
+/** Rules from the workspace's root .gitignore ([] when there is none). */
+export function loadIgnoreRules(root) {
+  try {
+    return parseGitignore(fs.readFileSync(path.join(root, ".gitignore"), "utf-8"));
+  } catch {
+    return [];
+  }
+}
+
+/** Whether a directory (workspace-relative POSIX path) is walked. */
+export function acceptsDir(relPath, rules) {
+  return !ALWAYS_SKIP_DIRS.has(path.posix.basename(relPath)) && !isIgnored(relPath, rules);
+}
+
+/** Whether a file is accepted by name and path alone — the size check needs a stat. */
+export function acceptsFileName(relPath, rules) {
+  const name = path.posix.basename(relPath);
+  if (ALWAYS_SKIP_FILES.has(name)) return false;
+  if (!SOURCE_EXTENSIONS.has(path.extname(name).toLowerCase())) return false;
+  return !isIgnored(relPath, rules);
+}
+
+/**
+ * BFS over the workspace: every accepted directory (absolute, root first) and the accepted
+ * files in them (workspace-relative POSIX). Stops adding files at maxFiles (truncated: true).
+ */
+export function walkWorkspace(root, maxFiles = Infinity) {
+  const rules = loadIgnoreRules(root);
+  const files = [];
+  const dirs = [root];
+  let truncated = false;
+  for (let i = 0; i < dirs.length && !truncated; i++) {
+    let entries;
+    try {
+      entries = fs.readdirSync(dirs[i], { withFileTypes: true });
+    } catch {
+      continue; // permission denied, vanished
+    }
+    for (const entry of entries) {
+      const absPath = path.join(dirs[i], entry.name);
+      const relPath = path.relative(root, absPath).split(path.sep).join("/");
+      if (entry.isDirectory()) {
+        if (acceptsDir(relPath, rules)) dirs.push(absPath);
+      } else if (entry.isFile()) {
+        if (!acceptsFileName(relPath, rules)) continue;
+        try {
+          if (fs.statSync(absPath).size > MAX_FILE_SIZE) continue;
+        } catch {
+          continue;
+        }
+        if (files.length >= maxFiles) {
+          truncated = true;
+          break;
+        }
+        files.push(relPath);
+      }
+    }
+  }
+  return { files, dirs, rules, truncated };
+}
@@ -0,0 +1,103 @@
+/**
+ * workspaceRules.js must accept exactly the files dist/workspaceScanner.js accepts —
+ * the watcher and the MCP server's cold-start index have to agree on what a workspace holds.
+ *
+ * Run: npm test
+ */
+import { describe, it, beforeEach, afterEach } from "node:test";
+import * as assert from "node:assert/strict";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { scanWorkspace } from "./dist/workspaceScanner.js";
+import { acceptsDir, acceptsFileName, loadIgnoreRules, walkWorkspace } from "./workspaceRules.js";
+
+// ── Helpers ──────────────────────────────────────────────────────────────
+
+let root;
+
+function write(relPath, content = `${relPath}\n`) {
+  fs.mkdirSync(path.dirname(path.join(root, relPath)), { recursive: true });
+  fs.writeFileSync(path.join(root, relPath), content);
+}
+
+const scannerFiles = () => scanWorkspace(root).files.map((f) => f.relativePath.split(path.sep).join("/")).sort();
+
+beforeEach(() => {
+  root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "rl4-rules-")));
+});
+
+afterEach(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+// ── Tests ────────────────────────────────────────────────────────────────
+
+describe("walkWorkspace", () => {
+  it("accepts the same files as scanWorkspace", () => {
+    write(".gitignore", [
+      "# comment",
+      "*.log",
+      "/build-out/",
+      "secret?.json",
+      "docs/**/draft.md",
+      "generated/",
+      "!generated/keep.ts",
+      "tmp",
+      "",
+    ].join("\n"));
+    for (const f of [
+      "src/a.ts", "src/util/b.js", "README.md", "notes.txt", "src/debug.log", "src/debug.log.txt",
+      "secret1.json", "secret12.json", "docs/guide/draft.md", "docs/guide/final.md", "docs/draft.md",
+      "build-out/x.js", "nested/build-out/y.js", "generated/a.ts", "generated/keep.ts",
+      "tmp/t.js", "src/tmp", "image.png", "src/.a.ts.swp", "src/a.ts~", "4913",
+      "package-lock.json", "Cargo.lock", ".DS_Store",
+      "node_modules/m/index.js", "dist/d.js", ".env/e.js", "vendor/v.go", ".rl4/evidence/x.json",
+    ]) write(f);
+    write("big.txt", "x".repeat(500001));
+    write("edge.txt", "x".repeat(500000));
+
+    const { files, truncated } = walkWorkspace(root);
+    assert.equal(truncated, false);
+    assert.deepEqual([...files].sort(), scannerFiles());
+    // Guard against both sides being empty or trivially equal
+    assert.ok(files.includes("generated/keep.ts"));
+    assert.ok(files.includes("nested/build-out/y.js"));
+    assert.ok(!files.includes("docs/guide/draft.md"));
+    assert.ok(!files.includes("big.txt"));
+  });
+
+  it("lists every accepted directory, skipped ones excluded", () => {
+    write(".gitignore", "/private\n");
+    for (const f of ["src/empty/.keep", "node_modules/m/index.js", "private/p.ts", "a.ts"]) write(f);
+    const rel = walkWorkspace(root).dirs.map((d) => path.relative(root, d).split(path.sep).join("/"));
+    assert.deepEqual(rel.sort(), ["", "src", "src/empty"]);
+  });
+
+  it("goes past the scanner's 500-file cap and reports truncation at maxFiles", () => {
+    for (let i = 0; i < 600; i++) write(`src/f${i}.js`, "x\n");
+    assert.equal(scanWorkspace(root).files.length, 500);
+    assert.equal(walkWorkspace(root).files.length, 600);
+    const capped = walkWorkspace(root, 100);
+    assert.equal(capped.files.length, 100);
+    assert.equal(capped.truncated, true);
+  });
+});
+
+describe("acceptsFileName / acceptsDir", () => {
+  it("rejects editor scratch files without touching the disk", () => {
+    const rules = loadIgnoreRules(root);
+    for (const name of ["src/.a.ts.swp", "src/4913", "src/a.ts~", "src/app.log"]) {
+      assert.equal(acceptsFileName(name, rules), false, name);
+    }
+    assert.equal(acceptsFileName("src/a.ts", rules), true);
+  });
+
+  it("applies skip lists and .gitignore to directories", () => {
+    write(".gitignore", "/private\n");
+    const rules = loadIgnoreRules(root);
+    assert.equal(acceptsDir("src/node_modules", rules), false);
+    assert.equal(acceptsDir("private", rules), false);
+    assert.equal(acceptsDir("src/private", rules), true);
+  });
+});